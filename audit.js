@@ -0,0 +1,92 @@
+/**
+ * Flyway MCP Server - Audit Log
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const AUDIT_OUTCOMES = ['success', 'error'];
+
+/**
+ * Get the path of a project's audit log
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {string} Absolute path to .flyway-mcp/audit.log
+ */
+export function getAuditLogPath(projectPath) {
+  return path.join(projectPath, '.flyway-mcp', 'audit.log');
+}
+
+/**
+ * Append an entry to a project's audit log (one JSON object per line)
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} entry - { timestamp, tool, arguments, environment, outcome, error, duration_ms, schema_version }
+ */
+export async function appendAuditEntry(projectPath, entry) {
+  const logPath = getAuditLogPath(projectPath);
+  await fs.mkdir(path.dirname(logPath), { recursive: true });
+  await fs.appendFile(logPath, `${JSON.stringify(entry)}\n`, 'utf8');
+}
+
+/**
+ * Read recent entries of a project's audit log
+ * Lines that are not valid JSON (e.g. a write cut short) are skipped.
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} filters - { tool, outcome, environment, since, limit } (all optional)
+ * @returns {Promise<Array>} Matching entries, most recent first
+ */
+export async function readAuditEntries(projectPath, { tool, outcome, environment, since, limit = 20 } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(getAuditLogPath(projectPath), 'utf8');
+  } catch (error) {
+    return []; // Nothing has been logged yet
+  }
+
+  const sinceTime = since ? Date.parse(since) : null;
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Skip corrupt lines
+    }
+  }
+
+  return entries
+    .filter(entry => (
+      (!tool || entry.tool === tool) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!environment || entry.environment === environment) &&
+      (sinceTime === null || Date.parse(entry.timestamp) >= sinceTime)
+    ))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Format audit entries for tool output
+ * @param {Array} entries - Entries from readAuditEntries()
+ * @returns {string} One block per entry
+ */
+export function formatAuditEntries(entries) {
+  return entries.map(entry => {
+    const details = [
+      entry.environment ? `environment: ${entry.environment}` : null,
+      `${entry.duration_ms} ms`,
+      entry.schema_version ? `schema version: ${entry.schema_version}` : null,
+    ].filter(Boolean).join(', ');
+    const lines = [`${entry.timestamp} ${entry.tool} - ${entry.outcome} (${details})`];
+    if (entry.arguments && Object.keys(entry.arguments).length > 0) {
+      lines.push(`  Arguments: ${JSON.stringify(entry.arguments)}`);
+    }
+    if (entry.error) {
+      lines.push(`  Error: ${entry.error.split('\n')[0]}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
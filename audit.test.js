@@ -0,0 +1,79 @@
+/**
+ * Flyway MCP Server - Audit Log Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { appendAuditEntry, formatAuditEntries, getAuditLogPath, readAuditEntries } from './audit.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDir = path.join(__dirname, 'test-audit');
+
+const entry = (tool, overrides = {}) => ({
+  timestamp: '2025-01-01T12:00:00.000Z',
+  tool,
+  arguments: {},
+  environment: 'dev',
+  outcome: 'success',
+  duration_ms: 5,
+  schema_version: null,
+  ...overrides,
+});
+
+describe('Audit Log', () => {
+  beforeEach(async () => {
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('appends one JSON line per entry under .flyway-mcp', async () => {
+    await appendAuditEntry(testDir, entry('flyway_info'));
+    await appendAuditEntry(testDir, entry('flyway_migrate'));
+
+    const lines = (await fs.readFile(path.join(testDir, '.flyway-mcp', 'audit.log'), 'utf8')).split('\n');
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[1]).tool).toBe('flyway_migrate');
+    expect(lines[2]).toBe('');
+  });
+
+  test('reads recent entries first and applies filters', async () => {
+    await appendAuditEntry(testDir, entry('flyway_info', { timestamp: '2025-01-01T10:00:00.000Z' }));
+    await appendAuditEntry(testDir, entry('flyway_migrate', { timestamp: '2025-01-01T11:00:00.000Z', environment: 'prod' }));
+    await appendAuditEntry(testDir, entry('flyway_migrate', { timestamp: '2025-01-01T12:00:00.000Z', outcome: 'error', error: 'boom' }));
+
+    expect((await readAuditEntries(testDir)).map(e => e.timestamp.slice(11, 13))).toEqual(['12', '11', '10']);
+    expect(await readAuditEntries(testDir, { limit: 1 })).toHaveLength(1);
+    expect(await readAuditEntries(testDir, { tool: 'flyway_info' })).toHaveLength(1);
+    expect(await readAuditEntries(testDir, { outcome: 'error' })).toMatchObject([{ error: 'boom' }]);
+    expect(await readAuditEntries(testDir, { environment: 'prod' })).toMatchObject([{ environment: 'prod' }]);
+    expect(await readAuditEntries(testDir, { since: '2025-01-01T11:00:00Z' })).toHaveLength(2);
+  });
+
+  test('skips corrupt lines and returns nothing without a log', async () => {
+    expect(await readAuditEntries(testDir)).toEqual([]);
+
+    await appendAuditEntry(testDir, entry('flyway_info'));
+    await fs.appendFile(getAuditLogPath(testDir), '{"tool": "flyway_mig', 'utf8');
+
+    expect(await readAuditEntries(testDir)).toMatchObject([{ tool: 'flyway_info' }]);
+  });
+
+  test('formats entries with their details', () => {
+    expect(formatAuditEntries([
+      entry('flyway_migrate', { arguments: { target: '3' }, schema_version: '3' }),
+      entry('flyway_clean', { environment: null, outcome: 'error', error: 'flyway_clean is disabled\nmore detail' }),
+    ])).toBe(
+      '2025-01-01T12:00:00.000Z flyway_migrate - success (environment: dev, 5 ms, schema version: 3)\n' +
+      '  Arguments: {"target":"3"}\n\n' +
+      '2025-01-01T12:00:00.000Z flyway_clean - error (5 ms)\n' +
+      '  Error: flyway_clean is disabled'
+    );
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Flyway MCP Server - Flyway Commands and Options node-flyway Lacks
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { platform } from 'os';
+import { Flyway } from 'node-flyway';
+import { FlywayInternal } from 'node-flyway/dist/internal/flyway-internal.js';
+import { ConvertJsonToResponse } from 'node-flyway/dist/response/json-to-response.js';
+
+// Migrate options node-flyway has no command line mapping for (it would pass them as -undefined=...)
+export const MIGRATE_CLI_OPTIONS = ['cherryPick', 'skipExecutingMigrations'];
+
+/**
+ * Format a Flyway CLI option the way node-flyway does
+ * @param {string} key - Option name (e.g. "cherryPick")
+ * @param {*} value - Option value; arrays are joined with commas
+ * @returns {string} e.g. -cherryPick='1,2'
+ */
+function toCliOption(key, value) {
+  const quote = platform() === 'win32' ? '"' : "'";
+  return `-${key}=${quote}${Array.isArray(value) ? value.join(',') : value}${quote}`;
+}
+
+/**
+ * Convert the JSON output of the Flyway CLI undo command to a node-flyway style response
+ * @param {string} json - Output of `flyway undo -outputType=json`
+ * @returns {Object} { error } or { flywayResponse }
+ */
+export function toUndoResponse(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return {
+      error: {
+        errorCode: 'UNABLE_TO_PARSE_RESPONSE',
+        message: `Unable to parse Flyway undo output: ${String(json).trim().slice(0, 500)}`,
+      },
+    };
+  }
+  return parsed && parsed.error ? { error: parsed.error } : { flywayResponse: parsed };
+}
+
+/**
+ * Flyway instance with the undo command and migrate options node-flyway does not provide
+ * Both run the Flyway CLI the same way node-flyway runs migrate, info, etc.
+ * undo, cherryPick and skipExecutingMigrations need Flyway Teams edition; the CLI reports an error otherwise.
+ */
+export class ExtendedFlyway extends Flyway {
+  /**
+   * Apply migrations, passing cherryPick and skipExecutingMigrations to the CLI directly
+   * @param {Object} config - Partial config merged over the instance config (e.g. { advanced: { target, cherryPick } })
+   * @returns {Promise<Object>} { success, error, flywayResponse, additionalDetails }
+   */
+  migrate(config) {
+    const advanced = { ...((config && config.advanced) || {}) };
+    const cliOptions = MIGRATE_CLI_OPTIONS
+      .filter(key => advanced[key] !== undefined)
+      .map(key => {
+        const option = toCliOption(key, advanced[key]);
+        delete advanced[key];
+        return option;
+      });
+    if (cliOptions.length === 0) {
+      return super.migrate(config);
+    }
+
+    // Flyway reads options wherever they appear on the command line
+    return FlywayInternal.executeFlywayCommand(
+      ['migrate', ...cliOptions].join(' '),
+      ConvertJsonToResponse.toFlywayMigrateResponse,
+      this.mergeConfig({ ...config, advanced }),
+      Flyway.defaultVersion,
+      this.executionOptions
+    );
+  }
+
+  /**
+   * Undo migrations with their U scripts
+   * @param {Object} config - Partial config merged over the instance config (e.g. { advanced: { target } })
+   * @returns {Promise<Object>} { success, error, flywayResponse, additionalDetails }
+   */
+  undo(config) {
+    return FlywayInternal.executeFlywayCommand(
+      'undo',
+      toUndoResponse,
+      this.mergeConfig(config),
+      Flyway.defaultVersion,
+      this.executionOptions
+    );
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Flyway MCP Server - Flyway Commands and Options Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FlywayInternal } from 'node-flyway/dist/internal/flyway-internal.js';
+import { FlywayExecutable } from 'node-flyway/dist/cli/flyway-cli.js';
+import { ExtendedFlyway, toUndoResponse } from './flyway.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDir = path.join(__dirname, 'test-flyway');
+const fakeCliPath = path.join(testDir, 'flyway');
+const argumentsPath = path.join(testDir, 'arguments');
+const config = {
+  url: 'jdbc:postgresql://localhost:5432/app',
+  user: 'app',
+  migrationLocations: ['filesystem:/app/migrations'],
+};
+
+describe('Flyway Commands and Options', () => {
+  beforeAll(async () => {
+    // Stand-in for the Flyway CLI that records the arguments it was called with and echoes them as JSON
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(
+      fakeCliPath,
+      `#!/bin/sh\nprintf '%s' "$*" > '${argumentsPath}'\nprintf '{"arguments": "%s"}' "$*"\n`,
+      { mode: 0o755 }
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(FlywayInternal, 'getCli').mockResolvedValue({
+      executable: new FlywayExecutable(fakeCliPath),
+      location: testDir,
+      source: 0,
+      version: 0,
+      hash: '',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs the Flyway CLI undo command with the instance config', async () => {
+    const flyway = new ExtendedFlyway(config);
+
+    const result = await flyway.undo({ advanced: { target: '2' } });
+
+    expect(result.success).toBe(true);
+    expect(result.flywayResponse.arguments.split(' ')).toEqual([
+      '-url=jdbc:postgresql://localhost:5432/app',
+      '-user=app',
+      '-locations=filesystem:/app/migrations',
+      '-target=2',
+      'undo',
+      '-outputType=json',
+    ]);
+  });
+
+  test('passes cherryPick and skipExecutingMigrations to the Flyway CLI migrate command', async () => {
+    const flyway = new ExtendedFlyway(config);
+
+    await flyway.migrate({ advanced: { target: '3', cherryPick: ['1', '2.1'], skipExecutingMigrations: true } });
+
+    expect((await fs.readFile(argumentsPath, 'utf8')).split(' ')).toEqual([
+      '-url=jdbc:postgresql://localhost:5432/app',
+      '-user=app',
+      '-locations=filesystem:/app/migrations',
+      '-target=3',
+      'migrate',
+      '-cherryPick=1,2.1',
+      '-skipExecutingMigrations=true',
+      '-outputType=json',
+    ]);
+  });
+
+  test('leaves other migrate calls to node-flyway', async () => {
+    const flyway = new ExtendedFlyway(config);
+
+    await flyway.migrate({ advanced: { target: '3' } });
+
+    expect(await fs.readFile(argumentsPath, 'utf8')).toBe(
+      '-url=jdbc:postgresql://localhost:5432/app -user=app -locations=filesystem:/app/migrations -target=3 migrate -outputType=json'
+    );
+  });
+
+  test('parses undo output and errors', () => {
+    expect(toUndoResponse('{"migrationsUndone": 1}')).toEqual({ flywayResponse: { migrationsUndone: 1 } });
+    expect(toUndoResponse('{"error": {"errorCode": "ERROR", "message": "Flyway Teams Edition required"}}'))
+      .toEqual({ error: { errorCode: 'ERROR', message: 'Flyway Teams Edition required' } });
+    expect(toUndoResponse('ERROR: not json').error.errorCode).toBe('UNABLE_TO_PARSE_RESPONSE');
+  });
+});
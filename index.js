@@ -7,7 +7,8 @@
  */
 
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { createServer } from './server.js';
+import { activateProjectFromDirectory, createServer } from './server.js';
+import { isReadOnlyMode } from './permissions.js';
 
 // Minimal config for backwards compatibility with getMigrationsDirectory fallback
 // Note: Database connections are now per-project via initialize_project tool
@@ -18,8 +19,30 @@ const config = {
 // Create MCP server (no global Flyway instance - each project creates its own)
 const server = createServer(null, config);
 
+// Activate the project containing FLYWAY_MCP_PROJECT or the working directory, if any
+async function discoverProject() {
+  const startDir = process.env.FLYWAY_MCP_PROJECT || process.cwd();
+  try {
+    const discovered = await activateProjectFromDirectory(startDir);
+    if (discovered) {
+      const environmentInfo = discovered.environment ? `, environment: ${discovered.environment}` : '';
+      console.error(`Flyway MCP: active project ${discovered.projectPath}${environmentInfo}`);
+    } else {
+      console.error(`Flyway MCP: no .flyway-mcp.json found above ${startDir}; run initialize_project to set up a project`);
+    }
+  } catch (error) {
+    // A broken project config should not keep the server from starting
+    console.error(`Flyway MCP: could not activate project found above ${startDir}: ${error.message}`);
+  }
+}
+
 // Start server
 async function main() {
+  await discoverProject();
+  if (isReadOnlyMode()) {
+    console.error('Flyway MCP: FLYWAY_MCP_READ_ONLY is set; tools that change a database are disabled');
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Flyway MCP Server running on stdio');
@@ -0,0 +1,240 @@
+/**
+ * Flyway MCP Server - Migration Info Report
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import path from 'path';
+import { compareVersions } from './migrations.js';
+
+// Output schema of flyway_info's structuredContent
+export const INFO_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    schema_version: { type: ['string', 'null'], description: 'Current schema version (null if nothing applied)' },
+    schema_name: { type: ['string', 'null'] },
+    database: { type: ['string', 'null'] },
+    counts: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        applied: { type: 'integer' },
+        pending: { type: 'integer' },
+        failed: { type: 'integer' },
+        out_of_order: { type: 'integer' },
+        outdated: { type: 'integer', description: 'Repeatable migrations that will be re-applied' },
+      },
+      required: ['total', 'applied', 'pending', 'failed', 'out_of_order', 'outdated'],
+    },
+    migrations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          version: { type: ['string', 'null'] },
+          description: { type: 'string' },
+          type: { type: 'string' },
+          state: { type: 'string' },
+          installed_on: { type: ['string', 'null'] },
+          execution_time_ms: { type: ['number', 'null'] },
+          filepath: { type: ['string', 'null'] },
+          category: { type: ['string', 'null'], description: 'Migration category in structured mode' },
+        },
+        required: ['version', 'description', 'type', 'state', 'installed_on', 'execution_time_ms', 'filepath', 'category'],
+      },
+    },
+    matched: { type: 'integer', description: 'Migrations matching the filters, before limit is applied' },
+  },
+  required: ['schema_version', 'schema_name', 'database', 'counts', 'migrations', 'matched'],
+};
+
+// State filters accepted by flyway_info; each matches every Flyway state containing the word
+// (e.g. "failed" matches "Failed" and "Future failed")
+export const INFO_STATE_FILTERS = ['pending', 'failed', 'success', 'ignored', 'future'];
+
+// Flyway states that mean a migration has been applied
+const APPLIED_STATES = ['success', 'baseline', 'out of order'];
+
+/**
+ * Check whether a Flyway migration state means the migration has been applied
+ * @param {string} state - Flyway state (e.g. "Success", "Pending")
+ * @returns {boolean} True for applied migrations
+ */
+export function isAppliedState(state) {
+  return APPLIED_STATES.includes(String(state).toLowerCase());
+}
+
+/**
+ * Find the category a migration script belongs to
+ * @param {Object} migration - Raw migration entry
+ * @param {Array} locations - [{ category, directory }] of the active project
+ * @returns {string|null} Category name, or null if none matches
+ */
+function findCategory(migration, locations) {
+  const file = migration.filepath || (migration.location || '').replace(/^filesystem:/, '');
+  if (!file) {
+    return null;
+  }
+
+  const resolvedFile = path.resolve(file);
+  const match = locations.find(({ category, directory }) => (
+    category && resolvedFile.startsWith(path.resolve(directory) + path.sep)
+  ));
+  return match ? match.category : null;
+}
+
+/**
+ * Normalize a migration entry from a node-flyway info() result
+ * @param {Object} migration - Raw migration entry
+ * @param {Array} locations - [{ category, directory }] of the active project
+ * @returns {Object} Migration in the flyway_info output format
+ */
+function normalizeMigration(migration, locations) {
+  return {
+    version: migration.version || null,
+    description: migration.description || '',
+    type: migration.type || '',
+    state: migration.state || '',
+    installed_on: migration.installedOnUTC || null,
+    execution_time_ms: typeof migration.executionTime === 'number' ? migration.executionTime : null,
+    filepath: migration.filepath || null,
+    category: findCategory(migration, locations),
+  };
+}
+
+/**
+ * Count migrations by state
+ * @param {Array} migrations - Normalized migrations
+ * @returns {Object} { total, applied, pending, failed, out_of_order, outdated }
+ */
+export function countMigrations(migrations) {
+  const states = migrations.map(m => m.state.toLowerCase());
+  return {
+    total: migrations.length,
+    applied: states.filter(state => APPLIED_STATES.includes(state)).length,
+    pending: states.filter(state => state === 'pending').length,
+    failed: states.filter(state => state.includes('failed')).length,
+    out_of_order: states.filter(state => state === 'out of order').length,
+    outdated: states.filter(state => state === 'outdated').length,
+  };
+}
+
+/**
+ * Build the structured flyway_info report from a node-flyway info() result
+ * Counts always cover every migration; filters only narrow the migrations list.
+ * @param {Object} result - Result of flyway.info()
+ * @param {Object} options - { locations, filters } (see filterMigrations)
+ * @returns {Object} Report matching INFO_OUTPUT_SCHEMA
+ */
+export function summarizeInfo(result, { locations = [], filters = {} } = {}) {
+  if (result && result.success === false) {
+    const message = (result.error && result.error.message) || 'unknown error';
+    throw new Error(`Flyway info failed: ${message}`);
+  }
+
+  const response = (result && result.flywayResponse) || {};
+  const migrations = (response.migrations || []).map(migration => normalizeMigration(migration, locations));
+  const matching = filterMigrations(migrations, filters);
+
+  return {
+    schema_version: response.schemaVersion || null,
+    schema_name: response.schemaName || null,
+    database: response.database || null,
+    counts: countMigrations(migrations),
+    migrations: filters.limit ? matching.slice(-filters.limit) : matching,
+    matched: matching.length,
+  };
+}
+
+/**
+ * Filter normalized migrations
+ * Version bounds are inclusive and exclude repeatables; installed_since excludes
+ * migrations that were never applied.
+ * @param {Array} migrations - Normalized migrations
+ * @param {Object} filters - { state, version_from, version_to, description, category, installed_since }
+ * @returns {Array} Matching migrations, in Flyway's order
+ */
+export function filterMigrations(migrations, filters = {}) {
+  const description = filters.description && filters.description.toLowerCase();
+  const installedSince = filters.installed_since && Date.parse(filters.installed_since);
+
+  return migrations.filter(m => {
+    if (filters.state && !m.state.toLowerCase().includes(filters.state)) {
+      return false;
+    }
+    if ((filters.version_from || filters.version_to) && !m.version) {
+      return false;
+    }
+    if (filters.version_from && compareVersions(m.version, filters.version_from) < 0) {
+      return false;
+    }
+    if (filters.version_to && compareVersions(m.version, filters.version_to) > 0) {
+      return false;
+    }
+    if (description && !m.description.toLowerCase().includes(description)) {
+      return false;
+    }
+    if (filters.category && m.category !== filters.category) {
+      return false;
+    }
+    if (installedSince && !(m.installed_on && Date.parse(m.installed_on) >= installedSince)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Describe the active filters for the text report
+ * @param {Object} filters - Filters passed to summarizeInfo()
+ * @returns {string} e.g. "state=failed, limit=5" (empty if no filters)
+ */
+function describeFilters(filters) {
+  return Object.entries(filters)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ');
+}
+
+/**
+ * Format a flyway_info report as human-readable text
+ * @param {Object} report - Report from summarizeInfo()
+ * @param {Object} filters - Filters the report was built with
+ * @returns {string} Summary followed by a table of migrations
+ */
+export function formatInfoReport(report, filters = {}) {
+  const { counts } = report;
+  const lines = [
+    `Schema version: ${report.schema_version || '(none)'}`,
+    `Database: ${report.database || '(unknown)'}${report.schema_name ? ` (schema: ${report.schema_name})` : ''}`,
+    `Migrations: ${counts.total} total, ${counts.applied} applied, ${counts.pending} pending, ` +
+      `${counts.failed} failed, ${counts.out_of_order} out of order`,
+  ];
+
+  const activeFilters = describeFilters(filters);
+  if (activeFilters) {
+    lines.push(`Showing ${report.migrations.length} of ${report.matched} matching migration(s) (filters: ${activeFilters})`);
+  }
+
+  if (report.migrations.length === 0) {
+    lines.push('', activeFilters ? 'No migrations match the filters.' : 'No migrations found.');
+    return lines.join('\n');
+  }
+
+  const cell = (value) => String(value).replace(/\|/g, '\\|');
+  lines.push(
+    '',
+    '| Version | Description | Type | State | Installed on | Execution time |',
+    '|---|---|---|---|---|---|',
+    ...report.migrations.map(m => `| ${[
+      m.version || '(repeatable)',
+      m.description,
+      m.type,
+      m.state,
+      m.installed_on || '-',
+      m.execution_time_ms !== null ? `${m.execution_time_ms} ms` : '-',
+    ].map(cell).join(' | ')} |`)
+  );
+
+  return lines.join('\n');
+}
@@ -0,0 +1,250 @@
+/**
+ * Flyway MCP Server - Destructive SQL Linting
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+export const LINT_SEVERITIES = ['off', 'warning', 'error'];
+
+// Rule id -> what it flags. Every rule defaults to "warning" unless lint_policy says otherwise.
+export const LINT_RULES = {
+  drop_table: 'DROP TABLE deletes the table and all its data',
+  drop_column: 'Dropping a column deletes its data',
+  drop_schema: 'DROP SCHEMA/DATABASE deletes every object it contains',
+  truncate: 'TRUNCATE deletes every row',
+  delete_without_where: 'DELETE without WHERE deletes every row',
+  update_without_where: 'UPDATE without WHERE rewrites every row',
+  alter_column_type: 'Changing a column type can lose data and rewrites/locks the table',
+  not_null_without_default: 'Adding NOT NULL without a default fails (or locks) on tables with existing rows',
+  do_block: 'DO blocks run immediately; dynamic SQL inside them (EXECUTE) cannot be checked',
+};
+
+// ALTER TABLE ... DROP <x> forms that do not remove a column
+const NON_COLUMN_DROP = /^(CONSTRAINT|INDEX|KEY|PRIMARY|FOREIGN|CHECK|UNIQUE|DEFAULT|NOT|PARTITION|IDENTITY|EXPRESSION|PERIOD|SYSTEM)\b/i;
+
+// A plain, "quoted", `backquoted` or [bracketed] identifier, and a schema-qualified name
+const IDENTIFIER = '(?:"(?:[^"]|"")*"|`(?:[^`]|``)*`|\\[[^\\]]*\\]|[^\\s"`\\[(),.;]+)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*`;
+
+const ALTER_TABLE_PREFIX = new RegExp(`^\\s*ALTER\\s+TABLE\\s+(IF\\s+EXISTS\\s+)?(ONLY\\s+)?${QUALIFIED_NAME}`, 'i');
+const ALTER_COLUMN_TYPE = new RegExp(`^ALTER\\s+(COLUMN\\s+)?${IDENTIFIER}\\s+(SET\\s+DATA\\s+)?TYPE\\b`, 'i');
+const ALTER_COLUMN_DEFINITION = new RegExp(`^ALTER\\s+COLUMN\\s+${IDENTIFIER}\\s+(?!SET\\b|DROP\\b|ADD\\b|RESTART\\b|TYPE\\b)\\w`, 'i');
+const ALTER_COLUMN_SET_NOT_NULL = new RegExp(`^ALTER\\s+(COLUMN\\s+)?${IDENTIFIER}\\s+SET\\s+NOT\\s+NULL\\b`, 'i');
+
+/**
+ * Blank out comments, string literals, dollar-quoted bodies and the inside of quoted identifiers,
+ * keeping offsets and newlines
+ * @param {string} sql - SQL text
+ * @returns {string} SQL of the same length with only code left
+ */
+function maskNonCode(sql) {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+  return sql.replace(
+    /--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|`(?:[^`]|``)*`|\$([A-Za-z_]\w*)?\$[\s\S]*?\$\1\$/g,
+    (match) => (/^['"`]/.test(match) ? `${match[0]}${blank(match.slice(1, -1))}${match[0]}` : blank(match))
+  );
+}
+
+/**
+ * Split ALTER TABLE actions on top-level commas
+ * @param {string} statement - Masked ALTER TABLE statement
+ * @returns {Array<string>} Individual actions
+ */
+function splitAlterActions(statement) {
+  const body = statement.replace(ALTER_TABLE_PREFIX, '');
+  const actions = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '(') depth++;
+    if (body[i] === ')') depth--;
+    if (body[i] === ',' && depth === 0) {
+      actions.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  actions.push(body.slice(start));
+  return actions.map(action => action.trim());
+}
+
+/**
+ * Blank out everything inside parentheses (subqueries, function calls)
+ * @param {string} statement - Masked SQL statement
+ * @returns {string} Statement of the same length with only the top level left
+ */
+function topLevel(statement) {
+  let depth = 0;
+  let result = '';
+  for (const char of statement) {
+    if (char === '(') depth++;
+    result += depth > 0 ? ' ' : char;
+    if (char === ')') depth = Math.max(0, depth - 1);
+  }
+  return result;
+}
+
+/**
+ * Skip the common table expressions in front of a statement
+ * WITH a AS (...), b AS (...) DELETE FROM t -> DELETE FROM t
+ * @param {string} statement - Masked, trimmed SQL statement
+ * @returns {string} The statement after its WITH clause, or the statement itself
+ */
+function skipLeadingCtes(statement) {
+  const withClause = /^WITH\s+(RECURSIVE\s+)?/i.exec(statement);
+  if (!withClause) {
+    return statement;
+  }
+
+  let rest = statement.slice(withClause[0].length);
+  for (;;) {
+    const head = /^[\s\S]*?\bAS\s+((NOT\s+)?MATERIALIZED\s+)?\(/i.exec(rest);
+    if (!head) {
+      return statement;
+    }
+    let depth = 1;
+    let i = head[0].length;
+    for (; i < rest.length && depth > 0; i++) {
+      if (rest[i] === '(') depth++;
+      if (rest[i] === ')') depth--;
+    }
+    rest = rest.slice(i).trimStart();
+    if (!rest.startsWith(',')) {
+      return rest;
+    }
+    rest = rest.slice(1);
+  }
+}
+
+/**
+ * Find the rules a single statement violates
+ * @param {string} statement - Masked SQL statement
+ * @returns {Array<string>} Violated rule ids
+ */
+function checkStatement(statement) {
+  const rules = [];
+  // A PL/pgSQL body's first statement follows BEGIN
+  const text = skipLeadingCtes(statement.trim()).replace(/^BEGIN\s+(?!TRANSACTION\b|WORK\b|TRAN\b)/i, '');
+  const hasWhere = /\bWHERE\b/i.test(topLevel(text));
+
+  if (/^DROP\s+TABLE\b/i.test(text)) rules.push('drop_table');
+  if (/^DROP\s+(SCHEMA|DATABASE)\b/i.test(text)) rules.push('drop_schema');
+  if (/^TRUNCATE\b/i.test(text)) rules.push('truncate');
+  if (/^DELETE\b/i.test(text) && !hasWhere) rules.push('delete_without_where');
+  if (/^UPDATE\b/i.test(text) && !hasWhere) rules.push('update_without_where');
+  if (/^DO\b/i.test(text)) rules.push('do_block');
+
+  if (/^ALTER\s+TABLE\b/i.test(text)) {
+    for (const action of splitAlterActions(text)) {
+      const drop = action.match(/^DROP\s+(COLUMN\s+)?(.*)$/is);
+      if (drop && (drop[1] || !NON_COLUMN_DROP.test(drop[2]))) {
+        rules.push('drop_column');
+      }
+      if (
+        ALTER_COLUMN_TYPE.test(action) || // PostgreSQL
+        ALTER_COLUMN_DEFINITION.test(action) || // SQL Server
+        /^(MODIFY|CHANGE)\b/i.test(action) // MySQL
+      ) {
+        rules.push('alter_column_type');
+      }
+      const addsColumn = /^ADD\b/i.test(action) && !/^ADD\s+(CONSTRAINT|INDEX|KEY|PRIMARY|FOREIGN|UNIQUE|CHECK)\b/i.test(action);
+      if (
+        (addsColumn && /\bNOT\s+NULL\b/i.test(action) && !/\bDEFAULT\b/i.test(action)) ||
+        ALTER_COLUMN_SET_NOT_NULL.test(action)
+      ) {
+        rules.push('not_null_without_default');
+      }
+    }
+  }
+
+  return [...new Set(rules)];
+}
+
+/**
+ * Resolve the severity of every rule from a lint_policy block
+ * @param {Object} policy - lint_policy from .flyway-mcp.json (rule id -> severity), optional
+ * @returns {Object} Rule id -> severity
+ */
+export function resolveLintPolicy(policy = {}) {
+  const severities = Object.fromEntries(Object.keys(LINT_RULES).map(rule => [rule, 'warning']));
+
+  for (const [rule, severity] of Object.entries(policy || {})) {
+    if (!LINT_RULES[rule]) {
+      throw new Error(
+        `Unknown rule "${rule}" in lint_policy (.flyway-mcp.json). ` +
+        `Available rules: ${Object.keys(LINT_RULES).join(', ')}`
+      );
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for lint_policy.${rule} (.flyway-mcp.json). ` +
+        `Use one of: ${LINT_SEVERITIES.join(', ')}`
+      );
+    }
+    severities[rule] = severity;
+  }
+
+  return severities;
+}
+
+/**
+ * Analyze migration SQL for risky statements
+ * The bodies of DO blocks are checked too, since they run when the migration does;
+ * function and procedure bodies only run when called and are ignored.
+ * @param {string} sql - Migration SQL
+ * @param {Object} policy - lint_policy from .flyway-mcp.json (optional)
+ * @returns {Array} Findings: { rule, severity, line, statement, message }
+ */
+export function lintSql(sql, policy) {
+  const severities = resolveLintPolicy(policy);
+  const masked = maskNonCode(sql);
+  const findings = [];
+
+  let start = 0;
+  for (const chunk of masked.split(';')) {
+    const offset = start + (chunk.length - chunk.trimStart().length);
+    start += chunk.length + 1;
+    if (!chunk.trim()) {
+      continue;
+    }
+
+    const line = sql.slice(0, offset).split('\n').length;
+    const statement = sql.slice(offset, offset + chunk.trim().length).replace(/\s+/g, ' ');
+
+    const rules = checkStatement(chunk);
+    for (const rule of rules) {
+      if (severities[rule] !== 'off') {
+        findings.push({
+          rule,
+          severity: severities[rule],
+          line,
+          statement: statement.length > 100 ? `${statement.slice(0, 97)}...` : statement,
+          message: LINT_RULES[rule],
+        });
+      }
+    }
+
+    if (rules.includes('do_block')) {
+      // The masked body is blank, so search the whole chunk of the original SQL
+      const original = sql.slice(offset, start - 1);
+      const body = /\$([A-Za-z_]\w*)?\$([\s\S]*?)\$\1\$/.exec(original);
+      if (body) {
+        const bodyOffset = offset + body.index + body[0].length - body[2].length - `$${body[1] || ''}$`.length;
+        const bodyLine = sql.slice(0, bodyOffset).split('\n').length;
+        findings.push(...lintSql(body[2], policy).map(f => ({ ...f, line: bodyLine + f.line - 1 })));
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Format lint findings as a bulleted list
+ * @param {Array} findings - Findings from lintSql()
+ * @returns {string} One line per finding
+ */
+export function formatFindings(findings) {
+  return findings
+    .map(f => `- [${f.rule}] ${f.script ? `${f.script} ` : ''}line ${f.line}: ${f.statement}\n  ${f.message}`)
+    .join('\n');
+}
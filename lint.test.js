@@ -0,0 +1,145 @@
+/**
+ * Flyway MCP Server - Destructive SQL Linting Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { formatFindings, lintSql, resolveLintPolicy } from './lint.js';
+
+const rules = (sql, policy) => lintSql(sql, policy).map(f => f.rule);
+
+describe('Destructive SQL Linting', () => {
+  describe('lintSql', () => {
+    test('flags DROP TABLE, DROP SCHEMA and TRUNCATE', () => {
+      expect(rules('DROP TABLE users;')).toEqual(['drop_table']);
+      expect(rules('DROP TABLE IF EXISTS users CASCADE;')).toEqual(['drop_table']);
+      expect(rules('DROP SCHEMA reporting CASCADE;')).toEqual(['drop_schema']);
+      expect(rules('TRUNCATE TABLE sessions;')).toEqual(['truncate']);
+    });
+
+    test('flags dropped columns but not dropped constraints or defaults', () => {
+      expect(rules('ALTER TABLE users DROP COLUMN email;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE users DROP email;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE users ADD COLUMN age INT, DROP COLUMN IF EXISTS legacy;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE users DROP CONSTRAINT users_email_key;')).toEqual([]);
+      expect(rules('ALTER TABLE users ALTER COLUMN email DROP DEFAULT;')).toEqual([]);
+      expect(rules('ALTER TABLE users ALTER COLUMN email DROP NOT NULL;')).toEqual([]);
+    });
+
+    test('parses quoted and schema-qualified table and column names', () => {
+      expect(rules('ALTER TABLE "My Table" DROP COLUMN x;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE IF EXISTS public."Order; Lines" DROP COLUMN x;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE `order lines` DROP COLUMN x;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE [dbo].[My Table] DROP COLUMN x;')).toEqual(['drop_column']);
+      expect(rules('ALTER TABLE "My Table" ALTER COLUMN "Unit Price" TYPE NUMERIC(12,2);')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE [My Table] ALTER COLUMN [Unit Price] DECIMAL(12,2) NOT NULL;')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE "My Table" ALTER COLUMN "Unit Price" SET NOT NULL;')).toEqual(['not_null_without_default']);
+      expect(rules('ALTER TABLE "My Table" DROP CONSTRAINT "My Table_pkey";')).toEqual([]);
+    });
+
+    test('only counts a WHERE outside subqueries', () => {
+      expect(rules("UPDATE users SET plan = (SELECT id FROM plans WHERE name = 'free');")).toEqual(['update_without_where']);
+      expect(rules('DELETE FROM users WHERE id IN (SELECT user_id FROM bans);')).toEqual([]);
+    });
+
+    test('looks past leading common table expressions', () => {
+      expect(rules('WITH stale AS (SELECT id FROM sessions WHERE expired) DELETE FROM sessions;')).toEqual(['delete_without_where']);
+      expect(rules('WITH RECURSIVE a(x) AS (SELECT 1), b AS MATERIALIZED (SELECT 2) UPDATE t SET y = 1;')).toEqual(['update_without_where']);
+      expect(rules('WITH stale AS (SELECT id FROM sessions) DELETE FROM sessions WHERE id IN (SELECT id FROM stale);')).toEqual([]);
+    });
+
+    test('flags DO blocks and checks their bodies', () => {
+      const sql = [
+        'CREATE TABLE a (id INT);',
+        'DO $$',
+        'BEGIN',
+        "  EXECUTE 'DROP TABLE users';",
+        '  DELETE FROM sessions;',
+        'END $$;',
+      ].join('\n');
+
+      expect(lintSql(sql).map(f => [f.rule, f.line])).toEqual([
+        ['do_block', 2],
+        ['delete_without_where', 5],
+      ]);
+      expect(rules('DO LANGUAGE plpgsql $body$ BEGIN DROP TABLE legacy; END $body$;')).toEqual(['do_block', 'drop_table']);
+      expect(rules('BEGIN; DELETE FROM users WHERE id = 1; COMMIT;')).toEqual([]);
+    });
+
+    test('flags DELETE and UPDATE without WHERE only', () => {
+      expect(rules('DELETE FROM users;')).toEqual(['delete_without_where']);
+      expect(rules("UPDATE users SET active = true;")).toEqual(['update_without_where']);
+      expect(rules('DELETE FROM users WHERE id = 1;')).toEqual([]);
+      expect(rules("UPDATE users SET active = true WHERE last_login > now() - interval '1 day';")).toEqual([]);
+    });
+
+    test('flags column type changes across dialects', () => {
+      expect(rules('ALTER TABLE users ALTER COLUMN age TYPE BIGINT;')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE users ALTER COLUMN age SET DATA TYPE BIGINT;')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE users ALTER COLUMN age BIGINT NOT NULL;')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE users MODIFY COLUMN age BIGINT;')).toEqual(['alter_column_type']);
+      expect(rules('ALTER TABLE users ALTER COLUMN age SET DEFAULT 0;')).toEqual([]);
+    });
+
+    test('flags NOT NULL without a default', () => {
+      expect(rules('ALTER TABLE users ADD COLUMN email VARCHAR(255) NOT NULL;')).toEqual(['not_null_without_default']);
+      expect(rules('ALTER TABLE users ALTER COLUMN email SET NOT NULL;')).toEqual(['not_null_without_default']);
+      expect(rules("ALTER TABLE users ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active';")).toEqual([]);
+      expect(rules('CREATE TABLE users (id INT NOT NULL, email VARCHAR(255) NOT NULL);')).toEqual([]);
+    });
+
+    test('ignores comments, string literals and function bodies', () => {
+      const sql = [
+        '-- DROP TABLE users;',
+        '/* TRUNCATE sessions; */',
+        "INSERT INTO audit (note) VALUES ('DROP TABLE users; DELETE FROM users');",
+        'CREATE FUNCTION purge() RETURNS void AS $$ DELETE FROM tmp; $$ LANGUAGE sql;',
+      ].join('\n');
+
+      expect(lintSql(sql)).toEqual([]);
+    });
+
+    test('reports line and statement of each finding', () => {
+      const findings = lintSql('CREATE TABLE a (id INT);\n\nDROP TABLE b;');
+
+      expect(findings).toEqual([{
+        rule: 'drop_table',
+        severity: 'warning',
+        line: 3,
+        statement: 'DROP TABLE b',
+        message: 'DROP TABLE deletes the table and all its data',
+      }]);
+      expect(formatFindings(findings)).toBe('- [drop_table] line 3: DROP TABLE b\n  DROP TABLE deletes the table and all its data');
+    });
+
+    test('names the script of a finding when it is set', () => {
+      const findings = lintSql('DROP TABLE b;').map(f => ({ ...f, script: 'undo script' }));
+
+      expect(formatFindings(findings)).toBe('- [drop_table] undo script line 1: DROP TABLE b\n  DROP TABLE deletes the table and all its data');
+    });
+
+    test('applies per-rule severity from the policy', () => {
+      const findings = lintSql('DROP TABLE a; TRUNCATE b; DELETE FROM c;', {
+        drop_table: 'error',
+        truncate: 'off',
+      });
+
+      expect(findings.map(f => [f.rule, f.severity])).toEqual([
+        ['drop_table', 'error'],
+        ['delete_without_where', 'warning'],
+      ]);
+    });
+  });
+
+  describe('resolveLintPolicy', () => {
+    test('defaults every rule to warning', () => {
+      expect(Object.values(resolveLintPolicy()).every(severity => severity === 'warning')).toBe(true);
+    });
+
+    test('rejects unknown rules and severities', () => {
+      expect(() => resolveLintPolicy({ drop_everything: 'error' })).toThrow('Unknown rule "drop_everything" in lint_policy');
+      expect(() => resolveLintPolicy({ drop_table: 'fatal' })).toThrow('Invalid severity "fatal" for lint_policy.drop_table');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Flyway MCP Server - Migration File Helpers
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Flyway file naming: V<version>__<desc>.sql, U<version>__<desc>.sql, R__<desc>.sql
+const MIGRATION_FILENAME_PATTERN = /^([VUR])(.*?)__(.+)\.sql$/;
+
+/**
+ * Parse a Flyway migration filename
+ * @param {string} filename - File name (without directory)
+ * @returns {Object|null} { prefix, version, description, filename } or null if not a migration
+ */
+export function parseMigrationFilename(filename) {
+  const match = MIGRATION_FILENAME_PATTERN.exec(filename);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, version, description] = match;
+
+  // Versioned and undo migrations need a version, repeatables must not have one
+  if ((prefix === 'R') !== (version === '')) {
+    return null;
+  }
+
+  return {
+    prefix,
+    version: prefix === 'R' ? null : version.replace(/_/g, '.'),
+    description,
+    filename,
+  };
+}
+
+/**
+ * Compare two Flyway version strings part by part (e.g. "1.2" < "1.10")
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split(/[._]/).map(part => BigInt(part.replace(/\D/g, '') || '0'));
+  const partsB = String(b).split(/[._]/).map(part => BigInt(part.replace(/\D/g, '') || '0'));
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const partA = partsA[i] ?? 0n;
+    const partB = partsB[i] ?? 0n;
+    if (partA !== partB) {
+      return partA < partB ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Find the highest version among versioned and undo migrations
+ * @param {Array} migrations - Parsed migrations
+ * @returns {string|null} Highest version, or null if there are none
+ */
+export function findHighestVersion(migrations) {
+  return migrations
+    .filter(migration => migration.version)
+    .map(migration => migration.version)
+    .reduce((highest, version) => (highest === null || compareVersions(version, highest) > 0 ? version : highest), null);
+}
+
+/**
+ * Get the smallest version directly above another by incrementing its last part
+ * @param {string} version - Version (e.g. "1.2" or "20241022143000")
+ * @returns {string} Next version (e.g. "1.3" or "20241022143001")
+ */
+export function nextVersion(version) {
+  const parts = String(version).split(/[._]/);
+  const last = BigInt(parts.pop().replace(/\D/g, '') || '0');
+  return [...parts, (last + 1n).toString()].join('.');
+}
+
+/**
+ * Pick a version for a new migration that is unique and above every existing one
+ * @param {string} candidate - Preferred version (e.g. the current timestamp)
+ * @param {Array} migrations - Parsed migrations across all locations
+ * @returns {string} candidate, or the next version above the highest existing one
+ */
+export function allocateVersion(candidate, migrations) {
+  const highest = findHighestVersion(migrations);
+  if (highest !== null && compareVersions(candidate, highest) <= 0) {
+    return nextVersion(highest);
+  }
+  return candidate;
+}
+
+/**
+ * List the Flyway migration files in a directory
+ * @param {string} directory - Absolute path to the migrations directory
+ * @returns {Promise<Array>} Parsed migrations with their absolute path, sorted by filename
+ */
+export async function listMigrationFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    return []; // Directory doesn't exist yet
+  }
+
+  return entries
+    .map(parseMigrationFilename)
+    .filter(Boolean)
+    .sort((a, b) => a.filename.localeCompare(b.filename))
+    .map(migration => ({
+      ...migration,
+      path: path.join(directory, migration.filename),
+    }));
+}
@@ -0,0 +1,64 @@
+/**
+ * Flyway MCP Server - Migration File Helper Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { allocateVersion, compareVersions, findHighestVersion, nextVersion, parseMigrationFilename } from './migrations.js';
+
+describe('Migration File Helpers', () => {
+  describe('parseMigrationFilename', () => {
+    test('parses versioned, undo and repeatable migrations', () => {
+      expect(parseMigrationFilename('V20241022143000__create_users_table.sql')).toEqual({
+        prefix: 'V',
+        version: '20241022143000',
+        description: 'create_users_table',
+        filename: 'V20241022143000__create_users_table.sql',
+      });
+      expect(parseMigrationFilename('U1_2_0__add_index.sql')).toMatchObject({ prefix: 'U', version: '1.2.0' });
+      expect(parseMigrationFilename('R__refresh_views.sql')).toMatchObject({ prefix: 'R', version: null });
+    });
+
+    test('ignores files that are not migrations', () => {
+      expect(parseMigrationFilename('README.md')).toBeNull();
+      expect(parseMigrationFilename('V__missing_version.sql')).toBeNull();
+      expect(parseMigrationFilename('R1__versioned_repeatable.sql')).toBeNull();
+    });
+  });
+
+  describe('compareVersions', () => {
+    test('compares version parts numerically', () => {
+      expect(compareVersions('1.2', '1.10')).toBeLessThan(0);
+      expect(compareVersions('2', '1.9.9')).toBeGreaterThan(0);
+      expect(compareVersions('1.0', '1')).toBe(0);
+      expect(compareVersions('20241022143000', '20241022142959')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('version allocation', () => {
+    const files = ['V1_2__a.sql', 'U1_10__b.sql', 'V1_9__c.sql', 'R__view.sql'].map(parseMigrationFilename);
+
+    test('finds the highest versioned or undo migration', () => {
+      expect(findHighestVersion(files)).toBe('1.10');
+      expect(findHighestVersion([parseMigrationFilename('R__view.sql')])).toBeNull();
+    });
+
+    test('increments the last version part', () => {
+      expect(nextVersion('1.10')).toBe('1.11');
+      expect(nextVersion('20241022143059')).toBe('20241022143060');
+      expect(nextVersion('2_0')).toBe('2.1');
+    });
+
+    test('keeps the candidate when it is above every existing version', () => {
+      expect(allocateVersion('20241022143000', files)).toBe('20241022143000');
+      expect(allocateVersion('5', [])).toBe('5');
+    });
+
+    test('bumps the candidate when it collides or is not above the highest version', () => {
+      const timestamps = [parseMigrationFilename('V20241022143000__a.sql')];
+      expect(allocateVersion('20241022143000', timestamps)).toBe('20241022143001');
+      expect(allocateVersion('20241022142959', timestamps)).toBe('20241022143001');
+    });
+  });
+});
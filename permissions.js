@@ -0,0 +1,112 @@
+/**
+ * Flyway MCP Server - Tool Permission Policy
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+// Tools to reach other projects; a project's policy never locks the assistant into it
+export const ALWAYS_ALLOWED_TOOLS = ['initialize_project', 'list_projects', 'switch_project'];
+
+/**
+ * Check whether the global read-only switch is on
+ * @param {string} value - Value of FLYWAY_MCP_READ_ONLY
+ * @returns {boolean} True for 1, true, yes or on (case-insensitive)
+ */
+export function isReadOnlyMode(value = process.env.FLYWAY_MCP_READ_ONLY) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Validate the allow/deny lists of one permissions level
+ * @param {Object} rules - { allow, deny }
+ * @param {string} field - Config field for error messages (e.g. "permissions.environments.prod")
+ */
+function validateRules(rules, field) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${field} in .flyway-mcp.json must be an object with "allow" and/or "deny" lists of tool names`);
+  }
+  for (const list of ['allow', 'deny']) {
+    const tools = rules[list];
+    if (tools !== undefined && (!Array.isArray(tools) || tools.some(tool => typeof tool !== 'string'))) {
+      throw new Error(`${field}.${list} in .flyway-mcp.json must be a list of tool names`);
+    }
+  }
+}
+
+/**
+ * Validate the permissions block of a project configuration
+ * {
+ *   "allow": ["flyway_info", ...],   // only these tools (optional)
+ *   "deny": ["flyway_clean", ...],   // never these tools (optional)
+ *   "environments": { "prod": { "allow": [...], "deny": [...] } }
+ * }
+ * @param {Object} permissions - permissions from .flyway-mcp.json (optional)
+ * @param {Array<string>} environmentNames - Environments defined in the project
+ */
+export function validatePermissions(permissions, environmentNames = []) {
+  if (permissions === undefined || permissions === null) {
+    return;
+  }
+
+  validateRules(permissions, 'permissions');
+  const environments = permissions.environments || {};
+  if (typeof environments !== 'object' || Array.isArray(environments)) {
+    throw new Error('permissions.environments in .flyway-mcp.json must map environment names to { allow, deny }');
+  }
+  for (const [name, rules] of Object.entries(environments)) {
+    if (!environmentNames.includes(name)) {
+      throw new Error(
+        `Unknown environment "${name}" in permissions.environments. ` +
+        `Available environments: ${environmentNames.length > 0 ? environmentNames.join(', ') : '(none)'}`
+      );
+    }
+    validateRules(rules, `permissions.environments.${name}`);
+  }
+}
+
+/**
+ * Decide whether the policy disables a tool
+ * Read-only mode is checked first, then the project-wide lists, then those of the environment.
+ * A tool must pass every allow list that is set and appear in no deny list.
+ * @param {string} toolName - Tool being listed or called
+ * @param {Object} policy - { permissions, environment, readOnly, readOnlyTools, toolNames }
+ * @returns {string|null} Why the tool is disabled, or null if it is allowed
+ */
+export function getPolicyDenial(toolName, { permissions, environment, readOnly = false, readOnlyTools = [], toolNames = [] }) {
+  if (ALWAYS_ALLOWED_TOOLS.includes(toolName)) {
+    return null;
+  }
+  if (readOnly && readOnlyTools.includes(toolName)) {
+    return 'FLYWAY_MCP_READ_ONLY is set, so tools that change a database are disabled';
+  }
+  if (!permissions) {
+    return null;
+  }
+
+  const levels = [['permissions', permissions]];
+  const environmentRules = environment && permissions.environments && permissions.environments[environment];
+  if (environmentRules) {
+    levels.push([`permissions.environments.${environment}`, environmentRules]);
+  }
+
+  for (const [field, rules] of levels) {
+    // A misspelled tool name would silently leave a tool enabled
+    for (const list of ['allow', 'deny']) {
+      const unknown = (rules[list] || []).filter(tool => !toolNames.includes(tool));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown tool(s) in ${field}.${list} of .flyway-mcp.json: ${unknown.join(', ')}. ` +
+          `Available tools: ${toolNames.join(', ')}`
+        );
+      }
+    }
+
+    if (rules.deny && rules.deny.includes(toolName)) {
+      return `denied by ${field}.deny in .flyway-mcp.json`;
+    }
+    if (rules.allow && !rules.allow.includes(toolName)) {
+      return `not in ${field}.allow in .flyway-mcp.json`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Flyway MCP Server - Tool Permission Policy Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getPolicyDenial, isReadOnlyMode, validatePermissions } from './permissions.js';
+
+const toolNames = ['initialize_project', 'switch_project', 'flyway_info', 'flyway_validate', 'flyway_migrate', 'flyway_clean', 'create_migration'];
+
+describe('Tool Permission Policy', () => {
+  describe('isReadOnlyMode', () => {
+    test('accepts common truthy values', () => {
+      expect(['1', 'true', 'TRUE', 'yes', 'on'].map(value => isReadOnlyMode(value))).toEqual([true, true, true, true, true]);
+      expect(['', '0', 'false', undefined].map(value => isReadOnlyMode(value))).toEqual([false, false, false, false]);
+    });
+  });
+
+  describe('validatePermissions', () => {
+    test('accepts allow/deny lists per project and environment', () => {
+      expect(() => validatePermissions(undefined)).not.toThrow();
+      expect(() => validatePermissions({
+        allow: ['flyway_info'],
+        environments: { prod: { deny: ['flyway_migrate'] } },
+      }, ['dev', 'prod'])).not.toThrow();
+    });
+
+    test('rejects malformed lists and unknown environments', () => {
+      expect(() => validatePermissions(['flyway_info'])).toThrow('permissions in .flyway-mcp.json must be an object');
+      expect(() => validatePermissions({ deny: 'flyway_clean' })).toThrow('permissions.deny in .flyway-mcp.json must be a list of tool names');
+      expect(() => validatePermissions({ environments: { prod: {} } }, ['dev']))
+        .toThrow('Unknown environment "prod" in permissions.environments. Available environments: dev');
+    });
+  });
+
+  describe('getPolicyDenial', () => {
+    const policy = (permissions, environment = null, readOnly = false) => ({
+      permissions,
+      environment,
+      readOnly,
+      readOnlyTools: ['flyway_migrate', 'flyway_clean'],
+      toolNames,
+    });
+
+    test('allows everything without a policy', () => {
+      expect(toolNames.map(tool => getPolicyDenial(tool, policy(null)))).toEqual(toolNames.map(() => null));
+    });
+
+    test('applies project allow and deny lists', () => {
+      const permissions = { allow: ['flyway_info', 'flyway_validate', 'create_migration'], deny: ['flyway_validate'] };
+
+      expect(getPolicyDenial('flyway_info', policy(permissions))).toBeNull();
+      expect(getPolicyDenial('flyway_migrate', policy(permissions))).toBe('not in permissions.allow in .flyway-mcp.json');
+      expect(getPolicyDenial('flyway_validate', policy(permissions))).toBe('denied by permissions.deny in .flyway-mcp.json');
+      expect(getPolicyDenial('switch_project', policy(permissions))).toBeNull();
+    });
+
+    test('adds the lists of the environment', () => {
+      const permissions = { deny: ['flyway_clean'], environments: { prod: { allow: ['flyway_info'] } } };
+
+      expect(getPolicyDenial('flyway_migrate', policy(permissions, 'dev'))).toBeNull();
+      expect(getPolicyDenial('flyway_migrate', policy(permissions, 'prod'))).toBe('not in permissions.environments.prod.allow in .flyway-mcp.json');
+      expect(getPolicyDenial('flyway_clean', policy(permissions, 'prod'))).toBe('denied by permissions.deny in .flyway-mcp.json');
+    });
+
+    test('disables database-changing tools in read-only mode', () => {
+      expect(getPolicyDenial('flyway_migrate', policy(null, null, true))).toContain('FLYWAY_MCP_READ_ONLY is set');
+      expect(getPolicyDenial('flyway_info', policy(null, null, true))).toBeNull();
+    });
+
+    test('rejects unknown tool names', () => {
+      expect(() => getPolicyDenial('flyway_info', policy({ deny: ['flyway_cleen'] })))
+        .toThrow('Unknown tool(s) in permissions.deny of .flyway-mcp.json: flyway_cleen');
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Flyway MCP Server - Prompt Templates
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+// Prompt definitions as advertised by prompts/list
+export const PROMPTS = [
+  {
+    name: 'add_column_safely',
+    description: 'Write a migration that adds a column without breaking existing rows or running application code',
+    arguments: [
+      { name: 'table', description: 'Table to add the column to (e.g., "users")', required: true },
+      { name: 'column', description: 'Column definition (e.g., "email VARCHAR(255)")', required: true },
+      { name: 'default_value', description: 'Default value for existing and new rows (optional)', required: false },
+      { name: 'category', description: 'Migration category in structured mode (optional, e.g., "schema")', required: false },
+    ],
+  },
+  {
+    name: 'baseline_legacy_database',
+    description: 'Bring an existing database that was never managed by Flyway under migration control',
+    arguments: [
+      { name: 'baseline_version', description: 'Version to baseline at (default: 1)', required: false },
+      { name: 'environment', description: 'Named environment to baseline (optional)', required: false },
+    ],
+  },
+  {
+    name: 'review_pending_migrations',
+    description: 'Review the pending migrations for risk before they are applied',
+    arguments: [
+      { name: 'environment', description: 'Named environment to review against (optional)', required: false },
+    ],
+  },
+];
+
+/**
+ * Describe the active project's conventions for inclusion in a prompt
+ * @param {string} projectPath - Active project path (null if none)
+ * @param {Object} projectConfig - Active project configuration (null if none)
+ * @param {string} activeEnvironment - Active environment name (null if none)
+ * @returns {string} Conventions text
+ */
+function describeConventions(projectPath, projectConfig, activeEnvironment) {
+  if (!projectPath || !projectConfig) {
+    return 'No Flyway project is active yet. Run initialize_project (or switch_project) before anything else.';
+  }
+
+  const lines = [`Project conventions (from ${projectPath}/.flyway-mcp.json):`];
+
+  if (projectConfig.migration_categories) {
+    const categories = Object.entries(projectConfig.migration_categories)
+      .map(([category, categoryPath]) => `${category} (${categoryPath})`)
+      .join(', ');
+    lines.push(`- Structured mode: every create_migration call needs a category. Categories: ${categories}`);
+  } else {
+    lines.push(`- Simple mode: migrations live in ${projectConfig.migrations_path || './migrations'}`);
+  }
+
+  if (projectConfig.environments) {
+    const environments = Object.entries(projectConfig.environments)
+      .map(([name, environment]) => {
+        const protection = environment.protection && environment.protection !== 'none' ? ` [${environment.protection}]` : '';
+        return `${name}${protection}`;
+      })
+      .join(', ');
+    lines.push(`- Environments: ${environments}; active: ${activeEnvironment}`);
+  }
+
+  lines.push('- Never run DDL directly against the database: every schema change goes through create_migration.');
+
+  return lines.join('\n');
+}
+
+/**
+ * Validate a category argument against the project configuration
+ * @param {Object} projectConfig - Active project configuration (null if none)
+ * @param {string} category - Requested category (optional)
+ * @returns {string} Instruction about which category to use
+ */
+function categoryInstruction(projectConfig, category) {
+  const categories = projectConfig && projectConfig.migration_categories;
+  if (!categories) {
+    return '';
+  }
+
+  if (category) {
+    if (!categories[category]) {
+      throw new Error(
+        `Invalid category "${category}". ` +
+        `Available categories: ${Object.keys(categories).join(', ')}`
+      );
+    }
+    return ` Use category "${category}".`;
+  }
+
+  return ` Choose the appropriate category from: ${Object.keys(categories).join(', ')}.`;
+}
+
+/**
+ * Build the messages for a prompt
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments
+ * @param {Object} project - { projectPath, projectConfig, activeEnvironment } of the active project
+ * @returns {Object} prompts/get result
+ */
+export function buildPrompt(name, args = {}, { projectPath = null, projectConfig = null, activeEnvironment = null } = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing required prompt argument(s): ${missing.join(', ')}`);
+  }
+
+  const conventions = describeConventions(projectPath, projectConfig, activeEnvironment);
+  const environmentArg = args.environment ? ` with environment "${args.environment}"` : '';
+  let text;
+
+  switch (name) {
+    case 'add_column_safely': {
+      const defaultInstruction = args.default_value
+        ? `Add it with DEFAULT ${args.default_value} so existing rows get a value.`
+        : 'Add it as nullable. Do not add NOT NULL without a default in the same migration.';
+      text = [
+        `Write a Flyway migration that adds the column \`${args.column}\` to the table \`${args.table}\` safely.`,
+        '',
+        conventions,
+        '',
+        'Steps:',
+        `1. ${defaultInstruction}`,
+        '2. If existing rows need backfilling, put the backfill in a separate migration so the schema change stays fast.',
+        '3. Provide undo_sql that drops the column again.',
+        `4. Create the file with create_migration (description like "add_<column>_to_${args.table}").${categoryInstruction(projectConfig, args.category)}`,
+        '5. Run flyway_migrate_preview and show me the SQL. Only run flyway_migrate after I confirm.',
+      ].join('\n');
+      break;
+    }
+
+    case 'baseline_legacy_database': {
+      const version = args.baseline_version || '1';
+      text = [
+        `Baseline this legacy database at version ${version} so Flyway manages it from now on.`,
+        '',
+        conventions,
+        '',
+        'Steps:',
+        `1. Run flyway_info${environmentArg} and confirm the database has no Flyway schema history yet.`,
+        `2. Check that no migration file has a version at or below ${version}; those would be skipped by the baseline. Tell me if any exist.`,
+        `3. Run flyway_baseline${environmentArg} with baselineVersion "${version}" and a short baselineDescription.`,
+        `4. Run flyway_info${environmentArg} again and show me the resulting state.`,
+        'From then on, create every schema change with create_migration.',
+      ].join('\n');
+      break;
+    }
+
+    case 'review_pending_migrations': {
+      text = [
+        'Review the pending Flyway migrations before they are applied.',
+        '',
+        conventions,
+        '',
+        'Steps:',
+        `1. Run flyway_migrate_preview${environmentArg} to get the scripts in execution order with their SQL.`,
+        '2. For each script, flag destructive or locking statements (DROP, TRUNCATE, DELETE/UPDATE without WHERE, column type changes, NOT NULL without default) and missing undo scripts.',
+        `3. Run flyway_validate${environmentArg} and report any checksum or ordering problems.`,
+        '4. Summarize the risks and the resulting target version. Do not run flyway_migrate until I explicitly approve.',
+      ].join('\n');
+      break;
+    }
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Flyway MCP Server - Project Registry
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Get the path of the registry file
+ * Uses FLYWAY_MCP_REGISTRY if set, otherwise the user's config directory.
+ * @returns {string} Absolute path to projects.json
+ */
+export function getRegistryPath() {
+  if (process.env.FLYWAY_MCP_REGISTRY) {
+    return process.env.FLYWAY_MCP_REGISTRY;
+  }
+
+  const configDir = process.platform === 'win32'
+    ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+  return path.join(configDir, 'flyway-mcp', 'projects.json');
+}
+
+/**
+ * Read the registry of known projects
+ * @returns {Promise<Object>} Map of project name to { path, last_used_at }
+ */
+export async function readRegistry() {
+  try {
+    const content = await fs.readFile(getRegistryPath(), 'utf8');
+    return JSON.parse(content).projects || {};
+  } catch (error) {
+    return {}; // Registry doesn't exist yet
+  }
+}
+
+/**
+ * Write the registry of known projects
+ * @param {Object} projects - Map of project name to { path, last_used_at }
+ */
+async function writeRegistry(projects) {
+  const registryPath = getRegistryPath();
+  await fs.mkdir(path.dirname(registryPath), { recursive: true });
+  await fs.writeFile(registryPath, JSON.stringify({ projects }, null, 2), 'utf8');
+}
+
+/**
+ * Find a registered project by name or path
+ * @param {Object} projects - Registry from readRegistry()
+ * @param {string} nameOrPath - Project name or absolute path
+ * @returns {string|null} Registered project name, or null if unknown
+ */
+export function findProjectName(projects, nameOrPath) {
+  if (projects[nameOrPath]) {
+    return nameOrPath;
+  }
+  const resolvedPath = path.resolve(nameOrPath);
+  return Object.keys(projects).find(name => projects[name].path === resolvedPath) || null;
+}
+
+/**
+ * Register a project (or refresh its last-used time)
+ * New projects are named after their directory, with a numeric suffix if that name is taken.
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {Promise<string>} Name the project is registered under
+ */
+export async function registerProject(projectPath) {
+  const projects = await readRegistry();
+  const resolvedPath = path.resolve(projectPath);
+
+  let name = findProjectName(projects, resolvedPath);
+  if (!name) {
+    const baseName = path.basename(resolvedPath) || 'project';
+    name = baseName;
+    for (let suffix = 2; projects[name]; suffix++) {
+      name = `${baseName}-${suffix}`;
+    }
+  }
+
+  projects[name] = {
+    path: resolvedPath,
+    last_used_at: new Date().toISOString(),
+  };
+  await writeRegistry(projects);
+
+  return name;
+}
+
+/**
+ * Remove a project from the registry (its files are left untouched)
+ * @param {string} nameOrPath - Project name or absolute path
+ * @returns {Promise<Object|null>} Removed { name, path }, or null if unknown
+ */
+export async function forgetProject(nameOrPath) {
+  const projects = await readRegistry();
+  const name = findProjectName(projects, nameOrPath);
+  if (!name) {
+    return null;
+  }
+
+  const { path: projectPath } = projects[name];
+  delete projects[name];
+  await writeRegistry(projects);
+
+  return { name, path: projectPath };
+}
@@ -0,0 +1,84 @@
+/**
+ * Flyway MCP Server - Migration File Templates
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Placeholders available in migration_template, e.g. {{author}}
+export const TEMPLATE_PLACEHOLDERS = [
+  'author',
+  'ticket',
+  'description',
+  'version',
+  'type',
+  'category',
+  'date',
+  'datetime',
+  'filename',
+  'sql',
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Load the migration template of a project
+ * - file:PATH  -> contents of PATH (relative to the project directory)
+ * - otherwise  -> the value itself is the template
+ * @param {string} template - migration_template from .flyway-mcp.json (optional)
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<string|null>} Template text, or null if none is configured
+ */
+export async function loadMigrationTemplate(template, projectPath) {
+  if (!template) {
+    return null;
+  }
+  if (typeof template !== 'string') {
+    throw new Error('migration_template in .flyway-mcp.json must be a string (inline template or file:PATH)');
+  }
+
+  let text = template;
+  if (template.startsWith('file:')) {
+    const filePath = template.slice('file:'.length);
+    const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(projectPath, filePath);
+    try {
+      text = await fs.readFile(absolutePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read migration template ${absolutePath} (referenced by migration_template in .flyway-mcp.json)`);
+    }
+  }
+
+  const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown placeholder(s) in migration_template: ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}. ` +
+      `Available placeholders: ${TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`
+    );
+  }
+
+  return text;
+}
+
+/**
+ * Render a migration file from a template
+ * Without a {{sql}} placeholder the template is a header and the SQL follows it.
+ * @param {string} template - Template from loadMigrationTemplate() (null for bare SQL)
+ * @param {Object} values - Placeholder values; sql is required, missing values render empty
+ * @returns {string} File content
+ */
+export function renderMigrationTemplate(template, values) {
+  if (!template) {
+    return values.sql;
+  }
+
+  const render = (text) => text.replace(PLACEHOLDER_PATTERN, (match, name) => (values[name] ?? ''));
+  if (/\{\{\s*sql\s*\}\}/.test(template)) {
+    return render(template);
+  }
+
+  return `${render(template).replace(/\s*$/, '\n')}\n${values.sql}`;
+}
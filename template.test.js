@@ -0,0 +1,62 @@
+/**
+ * Flyway MCP Server - Migration File Template Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMigrationTemplate, renderMigrationTemplate } from './template.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testDir = path.join(__dirname, 'test-templates');
+
+describe('Migration File Templates', () => {
+  beforeAll(async () => {
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(path.join(testDir, 'header.sql'), '-- Ticket: {{ticket}}\n', 'utf8');
+  });
+
+  afterAll(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('loadMigrationTemplate', () => {
+    test('returns inline templates as-is and null when none is configured', async () => {
+      expect(await loadMigrationTemplate('-- Author: {{author}}', testDir)).toBe('-- Author: {{author}}');
+      expect(await loadMigrationTemplate(undefined, testDir)).toBeNull();
+    });
+
+    test('reads file: templates relative to the project', async () => {
+      expect(await loadMigrationTemplate('file:header.sql', testDir)).toBe('-- Ticket: {{ticket}}\n');
+      await expect(loadMigrationTemplate('file:missing.sql', testDir))
+        .rejects.toThrow(`Cannot read migration template ${path.join(testDir, 'missing.sql')}`);
+    });
+
+    test('rejects unknown placeholders', async () => {
+      await expect(loadMigrationTemplate('-- Reviewer: {{reviewer}}', testDir))
+        .rejects.toThrow('Unknown placeholder(s) in migration_template: {{reviewer}}');
+    });
+  });
+
+  describe('renderMigrationTemplate', () => {
+    test('puts the SQL after a header template', () => {
+      expect(renderMigrationTemplate('-- Author: {{author}}\n-- Ticket: {{ticket}}', {
+        author: 'jane',
+        ticket: 'PROJ-1',
+        sql: 'SELECT 1;',
+      })).toBe('-- Author: jane\n-- Ticket: PROJ-1\n\nSELECT 1;');
+    });
+
+    test('places the SQL at {{sql}} and renders missing values empty', () => {
+      expect(renderMigrationTemplate('BEGIN; -- {{ticket}}\n{{ sql }}\nCOMMIT;', { sql: 'SELECT 1;' }))
+        .toBe('BEGIN; -- \nSELECT 1;\nCOMMIT;');
+    });
+
+    test('returns bare SQL without a template', () => {
+      expect(renderMigrationTemplate(null, { sql: 'SELECT 1;' })).toBe('SELECT 1;');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Flyway MCP Server - Shadow Database Verification
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import path from 'path';
+import { compareVersions } from './migrations.js';
+import { isAppliedState } from './info.js';
+
+/**
+ * Find the script a failed migrate stopped at
+ * Flyway names it in the error ("Migration V2__x.sql failed", "Location : /path/V2__x.sql");
+ * otherwise it is the failed entry, or the first pending one, in the shadow database's info().
+ * @param {string} message - Error message of the failed migrate
+ * @param {Array} migrations - Migrations from info() on the shadow database after the failure
+ * @returns {Object|null} { script, filepath, version, description }, or null if unknown
+ */
+export function findFailingMigration(message, migrations) {
+  const text = String(message || '');
+  const named = /Migration\s+(\S+?\.sql)\s+failed/i.exec(text) || /Location\s*:\s*(.+?\.sql)/i.exec(text);
+  if (named) {
+    const script = path.basename(named[1].trim());
+    const match = migrations.find(m => m.filepath && path.basename(m.filepath) === script);
+    return {
+      script,
+      filepath: match ? match.filepath : (path.isAbsolute(named[1].trim()) ? named[1].trim() : null),
+      version: match ? match.version || null : null,
+      description: match ? match.description : null,
+    };
+  }
+
+  const failing = migrations.find(m => String(m.state).toLowerCase().includes('failed')) ||
+    migrations.find(m => String(m.state).toLowerCase() === 'pending');
+  if (!failing) {
+    return null;
+  }
+  return {
+    script: failing.filepath
+      ? path.basename(failing.filepath)
+      : (failing.version ? `V${failing.version}__${failing.description}` : `R__${failing.description}`),
+    filepath: failing.filepath || null,
+    version: failing.version || null,
+    description: failing.description,
+  };
+}
+
+/**
+ * Index the applied versioned migrations of an info() result by version
+ * @param {Array} migrations - Migrations from info()
+ * @returns {Map} version -> migration
+ */
+function appliedByVersion(migrations) {
+  return new Map(migrations
+    .filter(m => m.version && isAppliedState(m.state))
+    .map(m => [m.version, m]));
+}
+
+/**
+ * Compare the schema history of the shadow database with the primary environment
+ * Only applied versioned migrations are compared; repeatables depend on their checksum,
+ * which Flyway's info output does not include.
+ * @param {Object} shadow - flywayResponse of info() on the shadow database
+ * @param {Object} primary - flywayResponse of info() on the primary environment
+ * @returns {Object} { shadow_version, primary_version, only_in_shadow, only_in_primary, different }
+ */
+export function compareSchemaHistory(shadow, primary) {
+  const shadowApplied = appliedByVersion((shadow && shadow.migrations) || []);
+  const primaryApplied = appliedByVersion((primary && primary.migrations) || []);
+  const versions = (map, other) => [...map.keys()].filter(version => !other.has(version)).sort(compareVersions);
+
+  return {
+    shadow_version: (shadow && shadow.schemaVersion) || null,
+    primary_version: (primary && primary.schemaVersion) || null,
+    only_in_shadow: versions(shadowApplied, primaryApplied),
+    only_in_primary: versions(primaryApplied, shadowApplied),
+    different: [...shadowApplied.keys()]
+      .filter(version => primaryApplied.has(version) &&
+        (shadowApplied.get(version).description !== primaryApplied.get(version).description ||
+          shadowApplied.get(version).type !== primaryApplied.get(version).type))
+      .sort(compareVersions),
+  };
+}
+
+/**
+ * Format a compareSchemaHistory() result for tool output
+ * @param {Object} comparison - Result of compareSchemaHistory()
+ * @param {string} primaryName - Name of the primary environment (for the text)
+ * @returns {string} Comparison text
+ */
+export function formatComparison(comparison, primaryName) {
+  const lines = [
+    `Schema version: shadow ${comparison.shadow_version || '(empty)'}, ${primaryName} ${comparison.primary_version || '(empty)'}`,
+  ];
+  if (comparison.only_in_shadow.length > 0) {
+    lines.push(`Applied on the shadow database but not on ${primaryName} (pending there): ${comparison.only_in_shadow.join(', ')}`);
+  }
+  if (comparison.only_in_primary.length > 0) {
+    lines.push(`Applied on ${primaryName} but not reproducible from the migration files: ${comparison.only_in_primary.join(', ')}`);
+  }
+  if (comparison.different.length > 0) {
+    lines.push(`Applied with a different description or type: ${comparison.different.join(', ')}`);
+  }
+  if (lines.length === 1) {
+    lines.push(`The schema history matches ${primaryName}.`);
+  }
+  return lines.join('\n');
+}
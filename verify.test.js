@@ -0,0 +1,73 @@
+/**
+ * Flyway MCP Server - Shadow Database Verification Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { compareSchemaHistory, findFailingMigration, formatComparison } from './verify.js';
+
+describe('Shadow Database Verification', () => {
+  describe('findFailingMigration', () => {
+    const migrations = [
+      { version: '1', description: 'users', state: 'Success', filepath: '/app/migrations/V1__users.sql' },
+      { version: '2', description: 'orders', state: 'Pending', filepath: '/app/migrations/V2__orders.sql' },
+      { version: '3', description: 'items', state: 'Pending', filepath: '/app/migrations/V3__items.sql' },
+    ];
+
+    test('uses the script Flyway names in the error', () => {
+      expect(findFailingMigration('Migration V3__items.sql failed\n-----\nMessage : relation "x" does not exist', migrations))
+        .toEqual({ script: 'V3__items.sql', filepath: '/app/migrations/V3__items.sql', version: '3', description: 'items' });
+      expect(findFailingMigration('Script failed\nLocation   : /app/migrations/V2__orders.sql (/app/migrations/V2__orders.sql)', migrations))
+        .toMatchObject({ script: 'V2__orders.sql', version: '2' });
+    });
+
+    test('falls back to the failed or first pending migration', () => {
+      expect(findFailingMigration('Unexpected error', migrations)).toMatchObject({ script: 'V2__orders.sql', version: '2' });
+      expect(findFailingMigration('Unexpected error', [
+        ...migrations.slice(0, 1),
+        { version: '2', description: 'orders', state: 'Failed' },
+      ])).toEqual({ script: 'V2__orders', filepath: null, version: '2', description: 'orders' });
+      expect(findFailingMigration('Unexpected error', [])).toBeNull();
+    });
+  });
+
+  describe('compareSchemaHistory', () => {
+    const applied = (version, description, type = 'SQL') => ({ version, description, type, state: 'Success' });
+
+    test('reports matching histories', () => {
+      const history = { schemaVersion: '2', migrations: [applied('1', 'users'), applied('2', 'orders')] };
+      const comparison = compareSchemaHistory(history, history);
+
+      expect(comparison).toEqual({
+        shadow_version: '2',
+        primary_version: '2',
+        only_in_shadow: [],
+        only_in_primary: [],
+        different: [],
+      });
+      expect(formatComparison(comparison, '"dev"')).toBe('Schema version: shadow 2, "dev" 2\nThe schema history matches "dev".');
+    });
+
+    test('reports versions missing on either side and different descriptions', () => {
+      const comparison = compareSchemaHistory(
+        { schemaVersion: '3', migrations: [applied('1', 'users'), applied('2', 'orders'), applied('3', 'items')] },
+        {
+          schemaVersion: '2.1',
+          migrations: [
+            applied('1', 'users'),
+            applied('2', 'order table'),
+            applied('2.1', 'hotfix'),
+            { version: '3', description: 'items', type: 'SQL', state: 'Pending' },
+          ],
+        }
+      );
+
+      expect(comparison).toMatchObject({ only_in_shadow: ['3'], only_in_primary: ['2.1'], different: ['2'] });
+      const text = formatComparison(comparison, '"prod"');
+      expect(text).toContain('not on "prod" (pending there): 3');
+      expect(text).toContain('Applied on "prod" but not reproducible from the migration files: 2.1');
+      expect(text).toContain('different description or type: 2');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Flyway MCP Server - Migration Versioning Schemes
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { allocateVersion, findHighestVersion, nextVersion } from './migrations.js';
+
+export const VERSIONING_SCHEMES = ['timestamp', 'sequential', 'semver'];
+
+// Raw filename versions: 20241022143000, 7 / 007, 1_2_0 / 1.2.0
+const TIMESTAMP_VERSION = /^\d{12,}$/;
+const SEQUENTIAL_VERSION = /^\d{1,11}$/;
+const SEMVER_VERSION = /^\d+([._]\d+){2}$/;
+
+/**
+ * Resolve the versioning setting of a project
+ * Accepts "timestamp" | "sequential" | "semver" or { scheme, padding }.
+ * @param {string|Object} versioning - versioning from .flyway-mcp.json (optional)
+ * @returns {Object} { scheme, padding }
+ */
+export function resolveVersioning(versioning) {
+  const setting = typeof versioning === 'string' ? { scheme: versioning } : (versioning || {});
+  const scheme = setting.scheme || 'timestamp';
+  const padding = setting.padding || 0;
+
+  if (!VERSIONING_SCHEMES.includes(scheme)) {
+    throw new Error(
+      `Invalid versioning scheme "${scheme}" in .flyway-mcp.json. ` +
+      `Use one of: ${VERSIONING_SCHEMES.join(', ')}`
+    );
+  }
+  if (!Number.isInteger(padding) || padding < 0 || padding > 20) {
+    throw new Error(`Invalid versioning padding "${setting.padding}" in .flyway-mcp.json. Use a number of digits from 0 to 20`);
+  }
+
+  return { scheme, padding };
+}
+
+/**
+ * Infer the versioning scheme from existing migration filenames
+ * Uses the scheme most files follow; padding is kept when those files are zero-padded.
+ * @param {Array<string>} filenames - Migration filenames (non-migrations are ignored)
+ * @returns {Object|null} { scheme, padding }, or null if there are no versioned migrations
+ */
+export function inferVersioning(filenames) {
+  const rawVersions = filenames
+    .map(filename => /^[VU](.+?)__.+\.sql$/.exec(filename))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  const byScheme = { timestamp: [], sequential: [], semver: [] };
+  for (const version of rawVersions) {
+    if (TIMESTAMP_VERSION.test(version)) byScheme.timestamp.push(version);
+    else if (SEQUENTIAL_VERSION.test(version)) byScheme.sequential.push(version);
+    else if (SEMVER_VERSION.test(version)) byScheme.semver.push(version);
+  }
+
+  const [scheme, versions] = Object.entries(byScheme)
+    .sort(([, a], [, b]) => b.length - a.length)[0];
+  if (versions.length === 0) {
+    return null;
+  }
+  if (scheme === 'timestamp') {
+    return { scheme, padding: 0 };
+  }
+
+  // Zero-padded parts (e.g. 001 or 01_02_00) share one width
+  const parts = versions.flatMap(version => version.split(/[._]/));
+  const padded = parts.some(part => part.length > 1 && part.startsWith('0'));
+  const widths = new Set(parts.map(part => part.length));
+  return { scheme, padding: padded && widths.size === 1 ? [...widths][0] : 0 };
+}
+
+/**
+ * Generate the next version in a scheme
+ * The result is always unique and above every existing version.
+ * @param {Object} versioning - Resolved { scheme, padding }
+ * @param {Array} migrations - Parsed migrations across all locations
+ * @param {Date} now - Current time (timestamp scheme)
+ * @returns {Object} { version, filenameVersion, candidate } where candidate is the scheme's own
+ *   choice before it was bumped past existing versions
+ */
+export function generateVersion({ scheme, padding }, migrations, now = new Date()) {
+  let candidate;
+  if (scheme === 'timestamp') {
+    candidate = now.toISOString()
+      .replace(/[-:T]/g, '')
+      .replace(/\.\d+Z$/, '')
+      .slice(0, 14); // YYYYMMDDHHmmss
+  } else {
+    const highest = findHighestVersion(migrations);
+    if (highest === null) {
+      candidate = scheme === 'semver' ? '1.0.0' : '1';
+    } else if (scheme === 'semver') {
+      const parts = highest.split('.');
+      while (parts.length < 3) parts.push('0');
+      candidate = nextVersion(parts.join('.'));
+    } else {
+      candidate = nextVersion(highest);
+    }
+  }
+
+  const version = allocateVersion(candidate, migrations);
+  const filenameVersion = version
+    .split('.')
+    .map(part => part.replace(/^0+(?=\d)/, '').padStart(padding, '0'))
+    .join('_');
+
+  return { version, filenameVersion, candidate };
+}
@@ -0,0 +1,67 @@
+/**
+ * Flyway MCP Server - Migration Versioning Scheme Tests
+ * Copyright (c) 2025 David Mattox @ SparkCodeLabs.com
+ * Licensed under the MIT License. See LICENSE file in the project root.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseMigrationFilename } from './migrations.js';
+import { generateVersion, inferVersioning, resolveVersioning } from './versioning.js';
+
+const parse = (filenames) => filenames.map(parseMigrationFilename);
+
+describe('Migration Versioning Schemes', () => {
+  describe('resolveVersioning', () => {
+    test('defaults to timestamp and accepts the string shorthand', () => {
+      expect(resolveVersioning(undefined)).toEqual({ scheme: 'timestamp', padding: 0 });
+      expect(resolveVersioning('sequential')).toEqual({ scheme: 'sequential', padding: 0 });
+      expect(resolveVersioning({ scheme: 'semver', padding: 2 })).toEqual({ scheme: 'semver', padding: 2 });
+    });
+
+    test('rejects unknown schemes and invalid padding', () => {
+      expect(() => resolveVersioning('calver')).toThrow('Invalid versioning scheme "calver"');
+      expect(() => resolveVersioning({ scheme: 'sequential', padding: -1 })).toThrow('Invalid versioning padding');
+    });
+  });
+
+  describe('inferVersioning', () => {
+    test('recognizes each scheme', () => {
+      expect(inferVersioning(['V20241022143000__a.sql', 'V20241023090000__b.sql'])).toEqual({ scheme: 'timestamp', padding: 0 });
+      expect(inferVersioning(['V1__a.sql', 'V2__b.sql', 'U2__b.sql'])).toEqual({ scheme: 'sequential', padding: 0 });
+      expect(inferVersioning(['V1_0_0__a.sql', 'V1_2_0__b.sql'])).toEqual({ scheme: 'semver', padding: 0 });
+    });
+
+    test('keeps zero-padding', () => {
+      expect(inferVersioning(['V001__a.sql', 'V002__b.sql'])).toEqual({ scheme: 'sequential', padding: 3 });
+      expect(inferVersioning(['V01_02_00__a.sql'])).toEqual({ scheme: 'semver', padding: 2 });
+    });
+
+    test('follows the majority and ignores repeatables', () => {
+      expect(inferVersioning(['V1__a.sql', 'V2__b.sql', 'V20241022143000__c.sql', 'R__view.sql']))
+        .toEqual({ scheme: 'sequential', padding: 0 });
+      expect(inferVersioning(['R__view.sql', 'README.md'])).toBeNull();
+    });
+  });
+
+  describe('generateVersion', () => {
+    const now = new Date('2025-01-01T12:00:00.000Z');
+
+    test('generates timestamps', () => {
+      expect(generateVersion({ scheme: 'timestamp', padding: 0 }, [], now))
+        .toEqual({ version: '20250101120000', filenameVersion: '20250101120000', candidate: '20250101120000' });
+    });
+
+    test('generates the next sequential number with padding', () => {
+      expect(generateVersion({ scheme: 'sequential', padding: 0 }, [], now).filenameVersion).toBe('1');
+      expect(generateVersion({ scheme: 'sequential', padding: 3 }, parse(['V007__a.sql', 'V003__b.sql']), now))
+        .toMatchObject({ version: '8', filenameVersion: '008' });
+    });
+
+    test('bumps the last semver part', () => {
+      expect(generateVersion({ scheme: 'semver', padding: 0 }, [], now).filenameVersion).toBe('1_0_0');
+      expect(generateVersion({ scheme: 'semver', padding: 0 }, parse(['V1_2_0__a.sql', 'V1_10_3__b.sql']), now))
+        .toMatchObject({ version: '1.10.4', filenameVersion: '1_10_4' });
+      expect(generateVersion({ scheme: 'semver', padding: 0 }, parse(['V2__a.sql']), now).filenameVersion).toBe('2_0_1');
+    });
+  });
+});